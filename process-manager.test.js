@@ -0,0 +1,190 @@
+// process-manager.test.js - run with `bun test`
+import { test, expect, describe, beforeEach, afterEach } from "bun:test";
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from "fs";
+import os from "os";
+import path from "path";
+import { BunProcessManager, parseCron, getNextCronRun } from "./process-manager.js";
+
+describe("state file", () => {
+  const initialCwd = process.cwd();
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), "bun-pm-test-"));
+    process.chdir(dir);
+  });
+
+  afterEach(() => {
+    process.chdir(initialCwd);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const entry = (name) => ({ name, status: "stopped", pid: null, startTime: null, restartCount: 0 });
+
+  test("a manager never writes back its stale copy of an entry another manager changed", () => {
+    const a = new BunProcessManager();
+    a.processes.set("x", entry("x"));
+    a.processes.set("y", entry("y"));
+    a.saveState();
+
+    const b = new BunProcessManager();
+    b.processes.get("x").restartCount = 1;
+    b.saveState();
+
+    // Two saves each: the second one is where a stale copy used to win
+    a.processes.get("y").restartCount = 2;
+    a.saveState();
+    a.processes.get("y").restartCount = 3;
+    a.saveState();
+    b.saveState();
+    b.saveState();
+
+    const c = new BunProcessManager();
+    expect(c.processes.get("x").restartCount).toBe(1);
+    expect(c.processes.get("y").restartCount).toBe(3);
+  });
+
+  test("entries one manager removed don't come back from another", () => {
+    const a = new BunProcessManager();
+    a.processes.set("x", entry("x"));
+    a.saveState();
+
+    const b = new BunProcessManager();
+    b.forgetProcess("x");
+    b.saveState();
+    a.processes.set("y", entry("y"));
+    a.saveState();
+
+    expect([...new BunProcessManager().processes.keys()]).toEqual(["y"]);
+  });
+
+  test("secrets are redacted in the file, also in entries an older version wrote", () => {
+    const secrets = {
+      env: { DB_PASSWORD: "hunter2", DATABASE_URL: "postgres://app:hunter2@db/app", PORT: "3000" },
+      hooks: { preStop: { run: "true", env: { API_TOKEN: "hunter2" } } }
+    };
+    const a = new BunProcessManager();
+    a.processes.set("x", { ...entry("x"), ...secrets });
+    a.saveState();
+
+    const b = new BunProcessManager();
+    writeFileSync(b.stateFile, JSON.stringify({ version: 2, processes: { y: { ...entry("y"), ...secrets } }, runs: {} }));
+    b.processes.set("z", entry("z"));
+    b.saveState();
+
+    const text = readFileSync(b.stateFile, "utf8");
+    expect(text).not.toContain("hunter2");
+    expect(new BunProcessManager().processes.get("y").env).toEqual(
+      { DB_PASSWORD: "[redacted]", DATABASE_URL: "postgres://app:[redacted]@db/app", PORT: "3000" });
+  });
+
+  test("hooks of a process loaded from the file get redacted values back from the config", () => {
+    writeFileSync("app.js", "");
+    writeFileSync("bun-pm.config.json", JSON.stringify({
+      apps: [{ name: "x", script: "app.js", env: { DB_PASSWORD: "hunter2" }, preStop: { run: "true", env: { API_TOKEN: "hunter3" } } }]
+    }));
+    const a = new BunProcessManager();
+    a.processes.set("x", { ...entry("x"), env: { DB_PASSWORD: "hunter2" }, hooks: { preStop: { run: "true", env: { API_TOKEN: "hunter3" } } } });
+    a.saveState();
+
+    const b = new BunProcessManager();
+    const restored = b.restoreSecrets(b.processes.get("x"));
+    expect(restored.env.DB_PASSWORD).toBe("hunter2");
+    expect(restored.hooks.preStop.env.API_TOKEN).toBe("hunter3");
+
+    writeFileSync("bun-pm.config.json", JSON.stringify({ apps: [{ name: "x", script: "app.js" }] }));
+    expect(() => new BunProcessManager().restoreSecrets(b.processes.get("x"))).toThrow("env.DB_PASSWORD");
+  });
+
+  test("a lock left by a manager that died is taken over and released", () => {
+    const pm = new BunProcessManager();
+    const lockPath = `${pm.stateFile}.lock`;
+    // No process has this PID
+    writeFileSync(lockPath, "999999999");
+    pm.processes.set("x", entry("x"));
+    pm.saveState();
+
+    expect(existsSync(lockPath)).toBe(false);
+    expect([...new BunProcessManager().processes.keys()]).toEqual(["x"]);
+  });
+});
+
+describe("cron parser", () => {
+  const sorted = (values) => [...values].sort((a, b) => a - b);
+
+  test("parses values, names, ranges, lists and steps", () => {
+    const schedule = parseCron("*/15 9-17 1,15 jan-mar mon-fri");
+    expect(sorted(schedule.minutes)).toEqual([0, 15, 30, 45]);
+    expect(sorted(schedule.hours)).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect(sorted(schedule.days)).toEqual([1, 15]);
+    expect(sorted(schedule.months)).toEqual([1, 2, 3]);
+    expect(sorted(schedule.weekdays)).toEqual([1, 2, 3, 4, 5]);
+    expect(sorted(parseCron("5/20 * * * *").minutes)).toEqual([5, 25, 45]);
+  });
+
+  test("wraps backwards ranges and treats 7 as Sunday", () => {
+    expect(sorted(parseCron("* * * * fri-mon").weekdays)).toEqual([0, 1, 5, 6, 7]);
+    expect(sorted(parseCron("* * * * 7").weekdays)).toEqual([0, 7]);
+  });
+
+  test("expands macros", () => {
+    expect(sorted(parseCron("@hourly").minutes)).toEqual([0]);
+    expect(parseCron("@daily").anyDay).toBe(true);
+  });
+
+  test.each([
+    ["1,, * * * *", /minute has an empty list item in "1,,"/],
+    [",5 * * * *", /minute has an empty list item/],
+    ["* * * * mon-", /day of week has a range without an end in "mon-"/],
+    ["* -3 * * *", /hour has a range without a start in "-3"/],
+    ["1-2-3 * * * *", /minute has more than one "-" in "1-2-3"/],
+    ["/5 * * * *", /minute is missing a value in "\/5"/],
+    ["*/5/2 * * * *", /minute has more than one "\/"/],
+    ["*/ * * * *", /minute has an invalid step ""/],
+    ["*/0 * * * *", /minute has an invalid step "0"/],
+    ["0x1 * * * *", /minute "0x1" is not between 0 and 59/],
+    ["60 * * * *", /minute "60" is not between 0 and 59/],
+    ["* * 0 * *", /day of month "0" is not between 1 and 31/],
+    ["* * * foo *", /month "foo" is not between 1 and 12/],
+    ["* * * *", /expected 5 fields/]
+  ])("rejects %p", (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+
+  test("finds the next run", () => {
+    const from = new Date(2026, 0, 1, 10, 7, 30);
+    expect(getNextCronRun(parseCron("*/15 * * * *"), from)).toEqual(new Date(2026, 0, 1, 10, 15));
+    expect(getNextCronRun(parseCron("0 9 * * mon"), from)).toEqual(new Date(2026, 0, 5, 9, 0));
+  });
+});
+
+describe("config", () => {
+  const initialCwd = process.cwd();
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), "bun-pm-test-"));
+    process.chdir(dir);
+    writeFileSync("app.js", "");
+    writeFileSync("bun-pm.config.json", JSON.stringify({
+      apps: [{ name: "good", script: "app.js" }, { name: "bad", script: "missing.js" }]
+    }));
+  });
+
+  afterEach(() => {
+    process.chdir(initialCwd);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("a missing script only holds back its own app", async () => {
+    const pm = new BunProcessManager();
+    pm.loadConfig();
+    expect([...pm.unavailableApps.keys()]).toEqual(["bad"]);
+    expect(await pm.startApp(pm.config.apps[1])).toBe(false);
+    expect(pm.processes.has("bad")).toBe(false);
+  });
+
+  test("validating still reports it", () => {
+    expect(() => new BunProcessManager().readConfig()).toThrow('[bad] script: "missing.js" is not a file');
+  });
+});